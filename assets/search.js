@@ -10,9 +10,11 @@
     doc: {
       id: 'id',
       field: ['title', 'content'],
-      store: ['title', 'href', 'section']
+      store: ['id']
     }
   });
+  // Bump when the shape of indexed documents changes so old caches rebuild
+  const INDEX_VERSION = 3;
 
   // Modal elements
   const modal = document.getElementById('search-modal');
@@ -20,6 +22,7 @@
   const input = document.getElementById('search-modal-input');
   const results = document.getElementById('search-modal-results');
   const spinner = modal ? modal.querySelector('.search-modal-spinner') : null;
+  const saveBtn = document.getElementById('search-modal-save');
 
   // Sidebar trigger
   const sidebarInput = document.getElementById('book-search-input');
@@ -28,9 +31,38 @@
 
   let activeIndex = -1;
   let initialized = false;
+  let indexReady = null;
   let useFirestore = false;
   let searchDebounceTimer = null;
+  let searchSeq = 0;
+  // Index documents by id, with the metadata the query language filters on.
+  // The FlexSearch index only stores ids and points back into this array.
+  let searchDocs = [];
   const DEBOUNCE_MS = 150;
+  const SEARCH_LIMIT = 500;
+  const MAX_PER_GROUP = 5;
+  const MAX_FILTERED = 30;
+
+  // Result groups, in display order. `kind` narrows a type: board cards and
+  // subtasks are both todos, so `type:todo` finds them too.
+  const GROUPS = [
+    { type: 'note', label: 'Notes' },
+    { type: 'todo', label: 'Tasks' },
+    { type: 'project', label: 'Projects' },
+    { type: 'transaction', label: 'Transactions' },
+    { type: 'attachment', label: 'Attachments' }
+  ];
+  const TYPE_ALIASES = {
+    note: { type: 'note' }, notes: { type: 'note' },
+    todo: { type: 'todo' }, todos: { type: 'todo' }, task: { type: 'todo' }, tasks: { type: 'todo' },
+    subtask: { type: 'todo', kind: 'subtask' }, subtasks: { type: 'todo', kind: 'subtask' },
+    card: { type: 'todo', kind: 'card' }, cards: { type: 'todo', kind: 'card' },
+    kanban: { type: 'todo', kind: 'card' }, board: { type: 'todo', kind: 'card' },
+    project: { type: 'project' }, projects: { type: 'project' },
+    transaction: { type: 'transaction' }, transactions: { type: 'transaction' }, tx: { type: 'transaction' },
+    attachment: { type: 'attachment' }, attachments: { type: 'attachment' },
+    file: { type: 'attachment' }, files: { type: 'attachment' }
+  };
 
   // ── Helper: get base URL ─────────────────────────────
   function getBaseUrl() {
@@ -43,6 +75,18 @@
     return getBaseUrl() + '/docs/view/?id=' + encodeURIComponent(noteId);
   }
 
+  function boardUrl(todoId) {
+    return getBaseUrl() + '/docs/board/#' + encodeURIComponent(todoId);
+  }
+
+  function projectUrl(projectId) {
+    return getBaseUrl() + '/docs/projects/#project-' + encodeURIComponent(projectId);
+  }
+
+  function transactionUrl(txId) {
+    return getBaseUrl() + '/docs/budget/transactions/#tx-' + encodeURIComponent(txId);
+  }
+
   // ── Helper: derive section label from note ───────────
   function noteSection(note) {
     if (note.destination === 'book-note') return 'Books' + (note.bookTitle ? ' / ' + note.bookTitle : '');
@@ -52,27 +96,190 @@
     return '';
   }
 
-  // ── Helper: build index from notes and cache to IDB ──
-  function buildIndexFromNotes(notes) {
-    var pages = notes.map(function(note, idx) {
+  function byId(list) {
+    var map = {};
+    list.forEach(function(item) { map[item.id] = item; });
+    return map;
+  }
+
+  function joinParts(parts) {
+    return parts.filter(function(p) { return !!p; }).join(' · ');
+  }
+
+  // 'YYYY-MM-DD' → local midnight in ms
+  function dayStart(dateStr) {
+    var p = dateStr.split('-');
+    return new Date(parseInt(p[0], 10), parseInt(p[1], 10) - 1, parseInt(p[2], 10) || 1).getTime();
+  }
+
+  // ── Sources: everything the palette can find, read from IndexedDB ──
+  function loadSources() {
+    var sync = window.dmSync;
+    var budget = window.dmBudget;
+    var none = function() { return []; };
+    return Promise.all([
+      sync.getAllNotes(),
+      sync.getAllTodos(),
+      sync.getAllProjectsIncludingArchived(),
+      sync.getAllKanbanColumns(),
+      sync.getAllAttachments ? sync.getAllAttachments() : [],
+      budget ? budget.getTransactions({}).catch(none) : [],
+      budget ? budget.getAccounts().catch(none) : [],
+      budget ? budget.getAllCategoriesIncludingArchived().catch(none) : []
+    ]).then(function(r) {
       return {
-        id: idx,
+        notes: r[0] || [], todos: r[1] || [], projects: r[2] || [], columns: r[3] || [],
+        attachments: r[4] || [], transactions: r[5] || [], accounts: r[6] || [], categories: r[7] || []
+      };
+    });
+  }
+
+  // Cheap fingerprint of the sources: count + newest timestamp per store
+  function sourcesSignature(src) {
+    var parts = [INDEX_VERSION];
+    Object.keys(src).sort().forEach(function(key) {
+      var newest = 0;
+      src[key].forEach(function(item) {
+        newest = Math.max(newest, item.updatedAt || item.createdAt || 0);
+      });
+      parts.push(key + ':' + src[key].length + ':' + newest);
+    });
+    return parts.join('|');
+  }
+
+  function sourcesTotal(src) {
+    return src.notes.length + src.todos.length + src.projects.length +
+      src.transactions.length + src.attachments.length;
+  }
+
+  // ── Helper: map sources to index documents ───────────
+  function buildDocs(src) {
+    var docs = [];
+    var projects = byId(src.projects);
+    var notes = byId(src.notes);
+    var todos = byId(src.todos);
+    var accounts = byId(src.accounts);
+    var categories = byId(src.categories);
+    var columns = {};
+    src.columns.forEach(function(c) { columns[c.status] = c; });
+    var firstColumn = src.columns[0];
+    var doneColumn = src.columns.filter(function(c) { return c.isDoneColumn; })[0] || firstColumn;
+
+    function add(doc) {
+      doc.id = docs.length;
+      docs.push(doc);
+    }
+
+    src.notes.forEach(function(note) {
+      add({
+        type: 'note', kind: '', project: '', ref: note.id,
         href: viewUrl(note.id),
         title: note.title || 'Untitled',
         section: noteSection(note),
-        content: note.content || ''
-      };
+        content: [note.content || '', (note.tags || []).join(' ')].join(' '),
+        tags: note.tags || [],
+        created: note.createdAt || 0,
+        updated: note.updatedAt || note.createdAt || 0
+      });
+    });
+
+    src.todos.forEach(function(todo) {
+      var parent = todo.parentId ? todos[todo.parentId] : null;
+      // Subtasks inherit their parent's project
+      var projectId = todo.projectId || (parent && parent.projectId);
+      var project = projectId ? projects[projectId] : null;
+      // Board cards are the top-level, non-archived todos (same rule as kanban-board)
+      var status = todo.status || 'active';
+      var onBoard = !todo.parentId && (status === 'active' || status === 'done');
+      var where;
+      if (onBoard) {
+        var col = columns[todo.kanbanStatus] || (todo.done ? doneColumn : firstColumn);
+        where = 'Board' + (col ? ' / ' + col.name : '');
+      } else if (parent) {
+        where = 'Subtask of ' + (parent.title || 'Untitled');
+      } else {
+        where = status.charAt(0).toUpperCase() + status.slice(1);
+      }
+      add({
+        type: 'todo', kind: onBoard ? 'card' : (todo.parentId ? 'subtask' : ''),
+        project: project ? project.name || '' : '', ref: todo.id,
+        href: todo.parentId ? boardUrl(todo.parentId) : (onBoard || !project ? boardUrl(todo.id) : projectUrl(project.id)),
+        title: todo.title || 'Untitled',
+        section: joinParts([where, project && project.name, todo.scheduledDate]),
+        content: [todo.notes || '', todo.category || ''].join(' '),
+        tags: [],
+        created: todo.createdAt || 0,
+        updated: todo.updatedAt || todo.createdAt || 0
+      });
     });
+
+    src.projects.forEach(function(project) {
+      if (project.deletedAt) return;
+      add({
+        type: 'project', kind: project.archived ? 'archived' : '',
+        project: project.name || '', ref: project.id,
+        href: projectUrl(project.id),
+        title: project.name || 'Untitled',
+        section: joinParts([project.archived && 'Archived', project.deadline && 'Due ' + project.deadline]),
+        content: project.description || '',
+        tags: [],
+        created: project.createdAt || 0,
+        updated: project.updatedAt || project.createdAt || 0
+      });
+    });
+
+    var fm = window.dmBudget ? function(x) { return window.dmBudget.formatMoney(x); } : function(x) { return (x / 100).toFixed(2); };
+    src.transactions.forEach(function(tx) {
+      var account = accounts[tx.accountId];
+      var category = categories[tx.categoryId];
+      var splits = Array.isArray(tx.splits) ? tx.splits : [];
+      var splitText = splits.map(function(sp) {
+        var c = categories[sp.categoryId];
+        return (c ? c.name : '') + ' ' + (sp.memo || '');
+      }).join(' ');
+      add({
+        type: 'transaction', kind: '', project: '', ref: tx.id,
+        href: transactionUrl(tx.id),
+        title: tx.payee || tx.memo || 'Transaction',
+        section: joinParts([tx.date, account && account.name, splits.length ? 'Split' : category && category.name, fm(tx.amount || 0)]),
+        content: [tx.memo || '', (tx.tags || []).join(' '), splitText, ((tx.amount || 0) / 100).toFixed(2)].join(' '),
+        tags: tx.tags || [],
+        // created: filters a transaction by its booking date, not entry time
+        created: tx.date ? dayStart(tx.date) : (tx.createdAt || 0),
+        updated: tx.updatedAt || tx.createdAt || 0
+      });
+    });
+
+    src.attachments.forEach(function(att) {
+      var note = notes[att.noteId];
+      if (!note) return; // attachment of a trashed or unsynced note
+      add({
+        type: 'attachment', kind: '', project: '', ref: att.id,
+        href: viewUrl(att.noteId),
+        title: att.fileName || 'Attachment',
+        section: 'In ' + (note.title || 'Untitled'),
+        content: att.extractedText || '',
+        tags: [],
+        created: att.createdAt || 0,
+        updated: att.createdAt || 0
+      });
+    });
+
+    return docs;
+  }
+
+  // ── Helper: build index from sources and cache to IDB ──
+  function buildIndex(src) {
+    searchDocs = buildDocs(src);
     window.bookSearchIndex = FlexSearch.create('balance', indexConfig);
-    window.bookSearchIndex.add(pages);
-    return notes.length;
+    window.bookSearchIndex.add(searchDocs);
   }
 
-  function cacheIndexToIDB(noteCount) {
+  function cacheIndexToIDB(noteCount, signature) {
     if (!window.dmSync || !window.bookSearchIndex) return;
     try {
       var serialized = window.bookSearchIndex.export();
-      window.dmSync.putSearchIndexCache(serialized, noteCount).catch(function(err) {
+      window.dmSync.putSearchIndexCache(serialized, noteCount, signature).catch(function(err) {
         console.warn('[search] Failed to cache index:', err);
       });
     } catch (e) {
@@ -81,51 +288,44 @@
   }
 
   // ── Index initialization ──────────────────────────────
+  // Callers arriving mid-build (the palette and AI chat retrieval) share
+  // the same pending promise instead of searching a half-built index.
   function initIndex() {
-    if (initialized) return Promise.resolve();
+    if (initialized) return indexReady || Promise.resolve();
     initialized = true;
 
     if (spinner) spinner.classList.remove('hidden');
 
-    // Try IndexedDB (dynamic notes) first
+    // Try IndexedDB (dynamic notes, tasks, budget) first
     if (window.dmSync) {
-      // Attempt to load cached search index from IDB
-      return window.dmSync.getSearchIndexCache().then(function(cached) {
-        if (cached && cached.data) {
-          // Validate cache: check note count matches current IDB state
-          return window.dmSync.getAllNotes().then(function(notes) {
-            if (notes && notes.length > 0 && notes.length === cached.noteCount) {
-              // Cache is valid — import instead of rebuilding
-              try {
-                window.bookSearchIndex = FlexSearch.create('balance', indexConfig);
-                window.bookSearchIndex.import(cached.data);
-                useFirestore = true;
-                return;
-              } catch (e) {
-                console.warn('[search] Cache import failed, rebuilding:', e);
-              }
-            }
-            // Cache miss or stale — rebuild from notes
-            if (notes && notes.length > 0) {
-              useFirestore = true;
-              var count = buildIndexFromNotes(notes);
-              cacheIndexToIDB(count);
-            } else {
-              useFirestore = false;
-            }
-          });
+      return indexReady = Promise.all([
+        window.dmSync.getSearchIndexCache(),
+        loadSources()
+      ]).then(function(r) {
+        var cached = r[0];
+        var src = r[1];
+        if (sourcesTotal(src) === 0) {
+          useFirestore = false;
+          return;
         }
-        // No cache — build from scratch
-        return window.dmSync.getAllNotes().then(function(notes) {
-          if (notes && notes.length > 0) {
-            useFirestore = true;
-            var count = buildIndexFromNotes(notes);
-            cacheIndexToIDB(count);
-          } else {
-            useFirestore = false;
+        useFirestore = true;
+        var signature = sourcesSignature(src);
+        // Cache is valid when nothing was added, removed or edited since
+        if (cached && cached.data && cached.signature === signature) {
+          try {
+            window.bookSearchIndex = FlexSearch.create('balance', indexConfig);
+            window.bookSearchIndex.import(cached.data);
+            // Same sources in the same order, so ids line up with the cache
+            searchDocs = buildDocs(src);
+            return;
+          } catch (e) {
+            console.warn('[search] Cache import failed, rebuilding:', e);
           }
-        });
-      }).catch(function() {
+        }
+        buildIndex(src);
+        cacheIndexToIDB(src.notes.length, signature);
+      }).catch(function(err) {
+        console.warn('[search] Index build failed:', err);
         useFirestore = false;
       }).finally(function() {
         if (spinner) spinner.classList.add('hidden');
@@ -133,9 +333,10 @@
     }
 
     // Fallback: static Hugo search data
-    return fetch(searchDataURL)
+    return indexReady = fetch(searchDataURL)
       .then(function(r) { return r.json(); })
       .then(function(pages) {
+        searchDocs = pages;
         window.bookSearchIndex = FlexSearch.create('balance', indexConfig);
         window.bookSearchIndex.add(pages);
       })
@@ -144,34 +345,36 @@
       });
   }
 
-  // ── Re-index when sync completes ─────────────────────
-  window.addEventListener('dm-sync-complete', function() {
+  // ── Re-index when data changes ───────────────────────
+  // The index is rebuilt lazily on the next open; the signature check makes
+  // that a cache import when the change didn't touch indexed stores.
+  function markStale() {
     if (!window.dmSync) return;
-    window.dmSync.getAllNotes().then(function(notes) {
-      if (notes && notes.length > 0) {
-        useFirestore = true;
-        var count = buildIndexFromNotes(notes);
-        cacheIndexToIDB(count);
-        initialized = true;
-      }
+    initialized = false;
+    if (!isOpen()) return;
+    initIndex().then(function() {
+      if (input.value.trim()) search();
     });
+  }
+
+  ['dm-sync-complete', 'dm-todos-updated', 'dm-projects-updated', 'dm-kanban-columns-updated',
+    'dm-budget-updated', 'dm-transactions-updated', 'dm-attachments-updated'].forEach(function(name) {
+    window.addEventListener(name, markStale);
   });
 
   // ── Modal open / close ────────────────────────────────
-  function openModal() {
+  function openModal(query) {
     modal.classList.add('active');
     modal.setAttribute('aria-hidden', 'false');
     document.body.style.overflow = 'hidden';
-    input.value = '';
+    input.value = typeof query === 'string' ? query : '';
     clearResults();
     activeIndex = -1;
 
     initIndex().then(function() {
       input.focus();
-      // If no index available, show sign-in message
-      if (!window.bookSearchIndex) {
-        showSignInPrompt();
-      }
+      // Runs the query, lists saved searches, or shows the sign-in message
+      search();
     });
   }
 
@@ -196,50 +399,531 @@
     results.appendChild(li);
   }
 
-  // ── Search ────────────────────────────────────────────
-  function search() {
-    clearResults();
-    activeIndex = -1;
+  // ── Query language ────────────────────────────────────
+  // Every word must match (title or body); the rest narrows or widens:
+  //   "exact phrase"            the words next to each other
+  //   -word  -"phrase"  -tag:x  exclude
+  //   a OR b  (or a | b)        either side; plain AND binds tighter
+  //   type:todo  type:card      see TYPE_ALIASES; comma = any of
+  //   project:Name  tag:work  section:snippets  lang:python
+  //   created:>2026-01-01  updated:<=2026-03  created:>7d
+  //                             (a day, month or year; Nd / Nw = N days / weeks ago)
+  // Values with spaces take quotes: project:"Home reno".
+  const FILTER_KEYS = {
+    type: 'type', in: 'type', is: 'type', project: 'project', tag: 'tag',
+    section: 'section', lang: 'lang', language: 'lang', created: 'created', updated: 'updated'
+  };
+  const SECTION_ALIASES = {
+    inbox: 'inbox', book: 'book-note', books: 'book-note', 'book-note': 'book-note',
+    topic: 'topic', topics: 'topic', snippet: 'snippets', snippets: 'snippets'
+  };
+  const DAY_MS = 24 * 60 * 60 * 1000;
 
-    var query = input.value.trim();
-    if (!query) {
-      if (!window.bookSearchIndex) {
-        showSignInPrompt();
+  // → groups: [[clause]] — OR of ANDs. A clause is
+  //   { neg, kind: 'word' | 'phrase' | 'filter', key, value }
+  function parseQuery(raw) {
+    var groups = [[]];
+    var re = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    var m;
+    while ((m = re.exec(raw))) {
+      var neg = m[1] === '-';
+      var quoted = m[3] !== undefined;
+      var value = quoted ? m[3] : m[4];
+      var key = m[2] ? FILTER_KEYS[m[2].toLowerCase()] : null;
+      // Unknown prefixes (e.g. "note:") are plain text
+      if (m[2] && !key) value = m[2] + ':' + value;
+
+      if (!neg && !quoted && !m[2] && (value === 'OR' || value === '|')) {
+        groups.push([]);
+        continue;
       }
-      return;
+      var clause = { neg: neg, key: key, value: value.toLowerCase().trim() };
+      if (key) {
+        clause.kind = 'filter';
+        if (key === 'tag') clause.value = clause.value.replace(/^#/, '');
+      } else if (quoted) {
+        clause.kind = 'phrase';
+        clause.value = clause.value.replace(/\s+/g, ' ');
+      } else {
+        clause.kind = 'word';
+        // Drop stray punctuation ("-", "tag:") that FlexSearch can't match
+        if (!/[\wÀ-￿]/.test(clause.value)) continue;
+      }
+      if (!clause.value) continue;
+      groups[groups.length - 1].push(clause);
+    }
+    return groups.filter(function(g) { return g.length > 0; });
+  }
+
+  function sectionDestination(value) {
+    if (SECTION_ALIASES[value]) return SECTION_ALIASES[value];
+    var sections = window.dmSections && window.dmSections.getActive ? window.dmSections.getActive() : [];
+    var match = sections.filter(function(sec) { return (sec.name || '').toLowerCase() === value; })[0];
+    if (!match) return null;
+    return match.builtinKey || 'section:' + match.id;
+  }
+
+  // tag:/section:/lang: on notes go through dmSync's note metadata lookups.
+  // → { 'tag:work': { noteId: true }, ... }
+  function resolveNoteSets(groups) {
+    var lookups = {};
+    groups.forEach(function(clauses) {
+      clauses.forEach(function(c) {
+        if (c.kind !== 'filter' || (c.key !== 'tag' && c.key !== 'section' && c.key !== 'lang')) return;
+        lookups[c.key + ':' + c.value] = c;
+      });
+    });
+    var keys = Object.keys(lookups);
+    var sync = window.dmSync;
+    return Promise.all(keys.map(function(k) {
+      var c = lookups[k];
+      if (!sync) return [];
+      // Filter values are lowercased by parseQuery; stored ones keep their case
+      if (c.key === 'tag') return sync.getNotesByTag(c.value, { ignoreCase: true });
+      if (c.key === 'lang') return sync.getNotesByLanguage(c.value, { ignoreCase: true });
+      var dest = sectionDestination(c.value);
+      return dest ? sync.getNotesByDestination(dest) : [];
+    })).then(function(lists) {
+      var sets = {};
+      keys.forEach(function(k, i) {
+        sets[k] = {};
+        (lists[i] || []).forEach(function(note) { sets[k][note.id] = true; });
+      });
+      return sets;
+    });
+  }
+
+  // 'YYYY', 'YYYY-MM', 'YYYY-MM-DD' → that period; 'Nd' / 'Nw' → an instant
+  function parseDateRange(value) {
+    var m = /^(\d+)([dw])$/.exec(value);
+    if (m) {
+      var t = Date.now() - parseInt(m[1], 10) * (m[2] === 'w' ? 7 : 1) * DAY_MS;
+      return { start: t, end: t };
+    }
+    m = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value);
+    if (!m) return null;
+    var y = parseInt(m[1], 10);
+    var mo = m[2] ? parseInt(m[2], 10) - 1 : 0;
+    var d = m[3] ? parseInt(m[3], 10) : 1;
+    var end = m[3] ? new Date(y, mo, d + 1) : (m[2] ? new Date(y, mo + 1, 1) : new Date(y + 1, 0, 1));
+    return { start: new Date(y, mo, d).getTime(), end: end.getTime() };
+  }
+
+  function dateMatches(ms, spec) {
+    var m = /^(>=|<=|>|<|=)?(.+)$/.exec(spec);
+    var range = m ? parseDateRange(m[2]) : null;
+    if (!range || !ms) return false;
+    switch (m[1]) {
+      case '>': return ms >= range.end;
+      case '>=': return ms >= range.start;
+      case '<': return ms < range.start;
+      case '<=': return ms < range.end;
+      default: return ms >= range.start && ms < range.end;
+    }
+  }
+
+  function docText(doc) {
+    if (doc._text === undefined) {
+      doc._text = [doc.title, doc.section, doc.content].join(' ').toLowerCase().replace(/\s+/g, ' ');
+    }
+    return doc._text;
+  }
+
+  // Ids FlexSearch matches for one word, memoized for the current query
+  function wordHits(word, cache) {
+    if (!cache[word]) {
+      cache[word] = {};
+      window.bookSearchIndex.search(word, SEARCH_LIMIT).forEach(function(hit, rank) {
+        cache[word][hit.id] = rank + 1;
+      });
+    }
+    return cache[word];
+  }
+
+  function matchClause(doc, c, noteSets, cache) {
+    // Static Hugo pages carry no type: treat them as notes
+    var type = doc.type || 'note';
+    switch (c.kind) {
+      case 'word': return !!wordHits(c.value, cache)[doc.id];
+      case 'phrase': return docText(doc).indexOf(c.value) !== -1;
+    }
+    switch (c.key) {
+      case 'type':
+        return c.value.split(',').some(function(v) {
+          var t = TYPE_ALIASES[v];
+          return !!t && t.type === type && (!t.kind || t.kind === doc.kind);
+        });
+      case 'project':
+        return (doc.project || '').toLowerCase().indexOf(c.value) !== -1;
+      case 'tag':
+        if (type === 'note') return !!(doc.ref && noteSets['tag:' + c.value][doc.ref]);
+        return (doc.tags || []).some(function(t) { return String(t).toLowerCase().replace(/^#/, '') === c.value; });
+      case 'section':
+      case 'lang':
+        return type === 'note' && !!(doc.ref && noteSets[c.key + ':' + c.value][doc.ref]);
+      case 'created':
+      case 'updated':
+        return dateMatches(doc[c.key], c.value);
     }
+    return true;
+  }
+
+  function runGroup(clauses, noteSets, cache) {
+    // Candidates come from the positive words (phrase words included);
+    // a clause list without any starts from every document.
+    var words = [];
+    clauses.forEach(function(c) {
+      if (c.neg || (c.kind !== 'word' && c.kind !== 'phrase')) return;
+      c.value.split(' ').forEach(function(w) {
+        if (w && words.indexOf(w) === -1) words.push(w);
+      });
+    });
+
+    var candidates;
+    if (words.length > 0) {
+      var rank = {};
+      var hits = words.map(function(w) { return wordHits(w, cache); });
+      candidates = Object.keys(hits[0]).filter(function(id) {
+        rank[id] = 0;
+        return hits.every(function(h) { rank[id] += h[id] || 0; return !!h[id]; });
+      }).sort(function(a, b) { return rank[a] - rank[b]; })
+        .map(function(id) { return searchDocs[id]; });
+    } else {
+      candidates = searchDocs.slice().sort(function(a, b) { return (b.updated || 0) - (a.updated || 0); });
+    }
+
+    return candidates.filter(function(doc) {
+      return !!doc && clauses.every(function(c) { return matchClause(doc, c, noteSets, cache) !== c.neg; });
+    });
+  }
+
+  function runQuery(groups, noteSets) {
+    var cache = {};
+    var seen = {};
+    var out = [];
+    groups.forEach(function(clauses) {
+      runGroup(clauses, noteSets, cache).forEach(function(doc) {
+        if (seen[doc.id]) return;
+        seen[doc.id] = true;
+        out.push(doc);
+      });
+    });
+    return out;
+  }
+
+  // The one type every OR-branch asks for, if any — shows more of that group
+  function singleQueryType(groups) {
+    var single = null;
+    var ok = groups.every(function(clauses) {
+      return clauses.some(function(c) {
+        if (c.kind !== 'filter' || c.key !== 'type' || c.neg) return false;
+        var types = c.value.split(',').map(function(v) { return TYPE_ALIASES[v] && TYPE_ALIASES[v].type; });
+        if (!types.every(function(t) { return t && t === types[0]; })) return false;
+        if (single && single !== types[0]) return false;
+        single = types[0];
+        return true;
+      });
+    });
+    return ok ? single : null;
+  }
+
+  // ── Retrieval (grounds AI chat answers in notes) ──────
+  // A question like "what did I write about Kafka retries?" is matched
+  // against notes and attachment text: FlexSearch picks candidate documents
+  // for any of the question's words, then each candidate is cut into
+  // paragraph-sized passages ranked by idf-weighted word overlap, so the
+  // prompt carries the relevant part of a long note rather than its start.
+  const RETRIEVE_STOPWORDS = ('a an and are as at be but by can could did do does for from had has have how i ' +
+    'if in into is it its me my myself of on or our say said should so some than that the their them then there ' +
+    'these they this to tell was we were what when where which who why will with write wrote written you your ' +
+    'about any anything note notes remember please find show').split(' ');
+  const PASSAGE_CHARS = 600;
+  const RETRIEVE_CANDIDATES = 30;
+
+  function retrieveTerms(query) {
+    var seen = {};
+    return String(query || '').toLowerCase().split(/[^\wÀ-￿-]+/).map(function(w) {
+      return w.replace(/^-+|-+$/g, '');
+    }).filter(function(w) {
+      if (w.length < 2 || seen[w] || RETRIEVE_STOPWORDS.indexOf(w) !== -1) return false;
+      seen[w] = true;
+      return true;
+    });
+  }
+
+  // Blank-line paragraphs, merged while short and split at sentence ends while long
+  function splitPassages(text) {
+    var out = [];
+    var current = '';
+    String(text || '').split(/\n\s*\n/).forEach(function(para) {
+      para = para.trim();
+      if (!para) return;
+      while (para.length > PASSAGE_CHARS) {
+        var cut = para.lastIndexOf('. ', PASSAGE_CHARS);
+        if (cut < PASSAGE_CHARS / 2) cut = para.lastIndexOf(' ', PASSAGE_CHARS);
+        if (cut < PASSAGE_CHARS / 2) cut = PASSAGE_CHARS;
+        if (current) { out.push(current); current = ''; }
+        out.push(para.slice(0, cut + 1).trim());
+        para = para.slice(cut + 1).trim();
+      }
+      if (current && current.length + para.length > PASSAGE_CHARS) {
+        out.push(current);
+        current = '';
+      }
+      current = current ? current + '\n\n' + para : para;
+    });
+    if (current) out.push(current);
+    return out;
+  }
+
+  // Resolves to the best passages, best first:
+  //   [{ docId, type, title, href, text, score }]
+  // type is 'note', 'attachment' or 'page' (static Hugo pages). Options:
+  // limit (passages, default 6), perNote (default 2), maxChars (total text
+  // budget, default 4000).
+  function retrieve(query, opts) {
+    opts = opts || {};
+    var limit = opts.limit || 6;
+    var perNote = opts.perNote || 2;
+    var maxChars = opts.maxChars || 4000;
+    var terms = retrieveTerms(query);
+    if (terms.length === 0) return Promise.resolve([]);
+
+    return initIndex().then(function() {
+      if (!window.bookSearchIndex) return [];
+      var cache = {};
+      var total = Math.max(searchDocs.length, 1);
+      var idf = {};
+      var matched = {};
+      terms.forEach(function(term) {
+        var hits = wordHits(term, cache);
+        var ids = Object.keys(hits);
+        idf[term] = Math.log(1 + total / (1 + ids.length));
+        ids.forEach(function(id) {
+          var doc = searchDocs[id];
+          // Static Hugo pages carry no type; tasks, projects and money are not notes
+          if (!doc || (doc.type && doc.type !== 'note' && doc.type !== 'attachment')) return;
+          matched[id] = (matched[id] || 0) + idf[term];
+        });
+      });
+
+      var candidates = Object.keys(matched).sort(function(a, b) {
+        return matched[b] - matched[a];
+      }).slice(0, RETRIEVE_CANDIDATES).map(function(id) { return searchDocs[id]; });
+
+      var passages = [];
+      candidates.forEach(function(doc) {
+        var title = String(doc.title || '').toLowerCase();
+        splitPassages(doc.content).forEach(function(text) {
+          var lower = text.toLowerCase();
+          var score = 0;
+          terms.forEach(function(term) {
+            if (lower.indexOf(term) !== -1) score += idf[term];
+            else if (title.indexOf(term) !== -1) score += idf[term] / 2;
+          });
+          if (score > 0) passages.push({ doc: doc, text: text, score: score });
+        });
+      });
+      if (passages.length === 0) return [];
+      passages.sort(function(a, b) { return b.score - a.score; });
+
+      // Drop the long tail: a passage must score at least half the best one
+      var floor = passages[0].score / 2;
+      var perDoc = {};
+      var used = 0;
+      var out = [];
+      for (var i = 0; i < passages.length && out.length < limit; i++) {
+        var p = passages[i];
+        if (p.score < floor) break;
+        // Attachments link to their note, so they share its quota
+        var key = p.doc.href;
+        if ((perDoc[key] || 0) >= perNote) continue;
+        if (used + p.text.length > maxChars && out.length > 0) continue;
+        perDoc[key] = (perDoc[key] || 0) + 1;
+        used += p.text.length;
+        out.push({
+          docId: p.doc.id,
+          type: p.doc.type || 'page',
+          title: p.doc.type === 'attachment' ? p.doc.title + ' (' + p.doc.section + ')' : (p.doc.title || 'Untitled'),
+          href: p.doc.href,
+          text: p.text,
+          score: p.score
+        });
+      }
+      return out;
+    });
+  }
+
+  // ── Search ────────────────────────────────────────────
+  function search() {
+    var seq = ++searchSeq;
+    var raw = input.value.trim();
+    updateSaveButton(raw);
 
     if (!window.bookSearchIndex) {
+      clearResults();
+      activeIndex = -1;
       showSignInPrompt();
       return;
     }
 
-    var hits = window.bookSearchIndex.search(query, 10);
+    if (!raw) {
+      renderSavedSearches(seq);
+      return;
+    }
+
+    var groups = parseQuery(raw);
+    resolveNoteSets(groups).then(function(noteSets) {
+      if (seq !== searchSeq) return;
+      renderResults(raw, runQuery(groups, noteSets), singleQueryType(groups));
+    }).catch(function(err) {
+      console.warn('[search] Query failed:', err);
+    });
+  }
+
+  function renderResults(raw, hits, singleType) {
+    clearResults();
+    activeIndex = -1;
 
     if (hits.length === 0) {
       var empty = document.createElement('li');
       empty.className = 'search-modal-empty';
-      empty.textContent = 'No results for "' + query + '"';
+      empty.textContent = 'No results for "' + raw + '"';
       results.appendChild(empty);
       return;
     }
 
-    hits.forEach(function(page, idx) {
-      var li = document.createElement('li');
-      li.setAttribute('role', 'option');
-      li.id = 'search-result-' + idx;
-      var a = document.createElement('a');
-      a.href = page.href;
-      a.textContent = page.title;
-
-      if (page.section) {
-        var small = document.createElement('small');
-        small.textContent = page.section;
-        a.appendChild(small);
-      }
+    // One type asked for: show more of it; otherwise a few per group
+    var perGroup = singleType ? MAX_FILTERED : MAX_PER_GROUP;
+    var byType = {};
+    hits.forEach(function(doc) {
+      var type = doc.type || 'note';
+      if (!byType[type]) byType[type] = [];
+      if (byType[type].length < perGroup) byType[type].push(doc);
+    });
+
+    var idx = 0;
+    var showHeaders = Object.keys(byType).length > 1 || useFirestore;
+    GROUPS.forEach(function(group) {
+      var docs = byType[group.type];
+      if (!docs) return;
+
+      if (showHeaders) appendGroupHeader(group.label);
+
+      docs.forEach(function(page) {
+        var li = document.createElement('li');
+        li.setAttribute('role', 'option');
+        li.id = 'search-result-' + idx++;
+        var a = document.createElement('a');
+        a.href = page.href;
+        a.textContent = page.title;
+
+        if (page.section) {
+          var small = document.createElement('small');
+          small.textContent = page.section;
+          a.appendChild(small);
+        }
 
-      li.appendChild(a);
-      results.appendChild(li);
+        li.appendChild(a);
+        results.appendChild(li);
+      });
+    });
+  }
+
+  function appendGroupHeader(label) {
+    var header = document.createElement('li');
+    header.className = 'search-modal-group';
+    header.setAttribute('role', 'presentation');
+    header.textContent = label;
+    results.appendChild(header);
+  }
+
+  // ── Saved searches ────────────────────────────────────
+  // Shown when the input is empty. Stored by dmSync (meta + userSettings);
+  // pinned ones are also listed in the sidebar.
+  function updateSaveButton(raw) {
+    if (!saveBtn) return;
+    saveBtn.hidden = !raw || !useFirestore || !window.dmSync || !window.dmSync.saveSearch;
+  }
+
+  function renderSavedSearches(seq) {
+    if (!useFirestore || !window.dmSync || !window.dmSync.getSavedSearches) {
+      clearResults();
+      activeIndex = -1;
+      return;
+    }
+    window.dmSync.getSavedSearches().then(function(items) {
+      if (seq !== searchSeq) return;
+      clearResults();
+      activeIndex = -1;
+      if (items.length === 0) return;
+
+      appendGroupHeader('Saved searches');
+      items.forEach(function(item, idx) {
+        var li = document.createElement('li');
+        li.setAttribute('role', 'option');
+        li.className = 'search-modal-saved';
+        li.id = 'search-result-' + idx;
+
+        var a = document.createElement('a');
+        a.href = '#';
+        a.setAttribute('data-query', item.query);
+        a.textContent = item.name || item.query;
+        if (item.name && item.name !== item.query) {
+          var small = document.createElement('small');
+          small.textContent = item.query;
+          a.appendChild(small);
+        }
+        a.addEventListener('click', function(e) {
+          e.preventDefault();
+          runSavedSearch(item.query);
+        });
+
+        var pin = document.createElement('button');
+        pin.type = 'button';
+        pin.className = 'search-modal-saved-btn' + (item.pinned ? ' is-pinned' : '');
+        pin.title = item.pinned ? 'Unpin from sidebar' : 'Pin to sidebar';
+        pin.setAttribute('aria-pressed', item.pinned ? 'true' : 'false');
+        pin.innerHTML = '<svg class="dm-icon dm-icon--pin" width="14" height="14" viewBox="0 0 24 24" aria-hidden="true"><use href="/digital-memory/icons/sprite.svg#icon-pin"/></svg>';
+        pin.addEventListener('click', function() {
+          window.dmSync.updateSavedSearch(item.id, { pinned: !item.pinned }).then(search);
+        });
+
+        var del = document.createElement('button');
+        del.type = 'button';
+        del.className = 'search-modal-saved-btn';
+        del.title = 'Delete saved search';
+        del.innerHTML = '<svg class="dm-icon dm-icon--x" width="14" height="14" viewBox="0 0 24 24" aria-hidden="true"><use href="/digital-memory/icons/sprite.svg#icon-x"/></svg>';
+        del.addEventListener('click', function() {
+          window.dmSync.deleteSavedSearch(item.id).then(search);
+        });
+
+        li.appendChild(a);
+        li.appendChild(pin);
+        li.appendChild(del);
+        results.appendChild(li);
+      });
+    }).catch(function(err) {
+      console.warn('[search] Could not load saved searches:', err);
+    });
+  }
+
+  function runSavedSearch(query) {
+    input.value = query;
+    input.focus();
+    search();
+  }
+
+  if (saveBtn) {
+    saveBtn.addEventListener('click', function() {
+      var raw = input.value.trim();
+      if (!raw || !window.dmSync) return;
+      window.dmSync.saveSearch(raw).then(function() {
+        saveBtn.classList.add('is-saved');
+        setTimeout(function() { saveBtn.classList.remove('is-saved'); }, 1200);
+      }).catch(function(err) {
+        console.warn('[search] Could not save search:', err);
+      });
     });
   }
 
@@ -346,15 +1030,13 @@
 
     if (e.key === 'Enter') {
       var links = getLinks();
-      if (activeIndex >= 0 && links[activeIndex]) {
-        e.preventDefault();
-        links[activeIndex].click();
-        closeModal();
-      } else if (links.length > 0) {
+      var target = activeIndex >= 0 && links[activeIndex] ? links[activeIndex] : links[0];
+      if (target) {
         // If nothing selected, go to first result
         e.preventDefault();
-        links[0].click();
-        closeModal();
+        target.click();
+        // Saved searches run in place
+        if (!target.hasAttribute('data-query')) closeModal();
       }
       return;
     }
@@ -379,4 +1061,17 @@
       }
     }
   });
+
+  // Re-list saved searches when they change elsewhere (sync, another tab's write)
+  window.addEventListener('dm-saved-searches-updated', function() {
+    if (isOpen() && !input.value.trim()) search();
+  });
+
+  // Sidebar entries for pinned saved searches open the palette pre-filled
+  window.dmSearch = {
+    open: openModal,
+    close: closeModal,
+    // AI chat grounding (ai-companion.html)
+    retrieve: retrieve
+  };
 })();
@@ -10,6 +10,10 @@ const pages = [
 // ── Notification scheduling ──
 // Stores pending notification timers: tag -> timeoutId
 const pendingNotifications = {};
+// A timer that fires this long after its due time means the device slept
+// through it, and by then another device has likely taken over the pomodoro
+// timer and shown its own alert
+const STALE_NOTIFICATION_MS = 60000;
 
 self.addEventListener("install", function (event) {
   self.skipWaiting();
@@ -35,10 +39,12 @@ self.addEventListener("message", function (event) {
       delete pendingNotifications[data.tag];
     }
 
-    const delay = Math.max(0, data.delay || 0);
+    // Prefer the absolute due time: the page and the worker share a clock
+    const delay = Math.max(0, data.at ? data.at - Date.now() : data.delay || 0);
 
     pendingNotifications[data.tag] = setTimeout(function () {
       delete pendingNotifications[data.tag];
+      if (data.at && Date.now() - data.at > STALE_NOTIFICATION_MS) return;
       self.registration.showNotification(data.title || "Timer", {
         body: data.body || "",
         tag: data.tag || "pomodoro",
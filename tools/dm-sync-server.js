@@ -0,0 +1,539 @@
+#!/usr/bin/env node
+/**
+  Digital Memory - reference sync server
+  A dependency-free HTTP/JSON document store for the `rest` sync backend in
+  layouts/partials/dm-sync.html. Documents are kept in memory, grouped by
+  collection, and optionally persisted to a JSON file.
+
+  Usage:
+    node tools/dm-sync-server.js [--port 8787] [--host 127.0.0.1]
+                                 [--token SECRET] [--data ./dm-sync-data.json]
+                                 [--proxy 1]
+
+  Then in Settings -> Sync pick "Self-hosted server" and enter
+  http://127.0.0.1:8787 (plus the token, if one was set).
+
+  Routes:
+    GET    /health                              -> { ok: true }
+    GET    /collections/:c/docs?where=[[f,v]]   -> { docs: [{ id, data }] }
+    GET    /collections/:c/docs/:id             -> { id, data } | 404
+    PUT    /collections/:c/docs/:id[?merge=1]   body: data -> { id, data }
+    PATCH  /collections/:c/docs/:id             body: data -> { id, data } | 404
+    DELETE /collections/:c/docs/:id             -> 204
+    GET    /feeds/:userId.ics?token=SECRET      -> text/calendar of scheduled tasks (--token only)
+    *      /proxy?url=https://...               -> upstream response (--proxy, needs --token)
+
+  Values: { __type: 'serverTimestamp' } is stored as the current time,
+  { __type: 'timestamp', __ms } is stored as is and { __type: 'delete' }
+  removes the field (merge/patch only). As in Firestore, PUT ?merge=1
+  deep-merges nested maps, while PATCH replaces each top-level field it
+  names and reads field names containing dots as paths into nested maps.
+
+  The token is a single shared secret: run one server per person, or put it
+  behind a proxy that authenticates users. Calendar apps can't send headers,
+  so the feed route also accepts it as ?token=. Without a token the feed is
+  off, since anyone who knew a user id could read that user's task titles.
+  Task titles encrypted with end-to-end encryption can't be read here and
+  show as "Encrypted task".
+
+  /proxy forwards CalDAV requests for servers that don't send CORS headers
+  (layouts/partials/dm-caldav.html). X-DM-Upstream-Authorization is passed
+  on as the upstream Authorization header. It is off unless --proxy is set,
+  refuses to start without --token, and won't connect to loopback, private,
+  link-local or other non-public addresses (checked after DNS resolution).
+
+  In tests: require('./tools/dm-sync-server').createServer({ token }) returns
+  an unstarted http.Server; call .listen(0) and read .address().port.
+  The server's own tests: node --test tools/
+*/
+'use strict';
+
+var http = require('http');
+var https = require('https');
+var dns = require('dns');
+var net = require('net');
+var fs = require('fs');
+var path = require('path');
+var url = require('url');
+
+var MAX_BODY_BYTES = 20 * 1024 * 1024; // attachments metadata + long notes
+var E2EE_PREFIX = 'e2ee:v1:';
+var PROXY_HEADERS = ['content-type', 'depth', 'if-match', 'if-none-match', 'prefer'];
+
+// ─── Value helpers ───
+
+// Names that would reach Object.prototype if used as a key
+var RESERVED_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+function isReservedKey(key) {
+  return RESERVED_KEYS.indexOf(key) !== -1;
+}
+
+// 'a.b.c' with no empty or reserved segments
+function isValidFieldPath(fieldPath) {
+  return typeof fieldPath === 'string' && fieldPath.split('.').every(function(part) {
+    return part.length > 0 && !isReservedKey(part);
+  });
+}
+
+// True if a reserved name is used as a key at any depth
+function hasReservedKey(val) {
+  if (Array.isArray(val)) return val.some(hasReservedKey);
+  if (!val || typeof val !== 'object') return false;
+  return Object.keys(val).some(function(key) { return isReservedKey(key) || hasReservedKey(val[key]); });
+}
+
+// where=[[field, value], ...] with valid field paths
+function isValidFilterList(filters) {
+  return Array.isArray(filters) && filters.every(function(f) {
+    return Array.isArray(f) && f.length === 2 && isValidFieldPath(f[0]);
+  });
+}
+
+function isSentinel(val, type) {
+  return !!val && typeof val === 'object' && !Array.isArray(val) && val.__type === type;
+}
+
+// A nested map (not an array, timestamp or other typed value)
+function isMap(val) {
+  return !!val && typeof val === 'object' && !Array.isArray(val) && !val.__type;
+}
+
+// Replace serverTimestamp sentinels (at any depth) with the current time
+function resolveServerValues(val, now) {
+  if (isSentinel(val, 'serverTimestamp')) return { __type: 'timestamp', __ms: now };
+  if (Array.isArray(val)) return val.map(function(v) { return resolveServerValues(v, now); });
+  if (val && typeof val === 'object') {
+    var out = {};
+    Object.keys(val).forEach(function(key) { out[key] = resolveServerValues(val[key], now); });
+    return out;
+  }
+  return val;
+}
+
+function stripDeletes(val) {
+  if (Array.isArray(val)) return val.map(stripDeletes);
+  if (val && typeof val === 'object') {
+    var out = {};
+    Object.keys(val).forEach(function(key) {
+      if (!isSentinel(val[key], 'delete')) out[key] = stripDeletes(val[key]);
+    });
+    return out;
+  }
+  return val;
+}
+
+function getPath(doc, fieldPath) {
+  var parts = fieldPath.split('.');
+  var cur = doc;
+  for (var i = 0; i < parts.length; i++) {
+    if (!cur || typeof cur !== 'object') return undefined;
+    cur = cur[parts[i]];
+  }
+  return cur;
+}
+
+function setPath(doc, fieldPath, value) {
+  var parts = fieldPath.split('.');
+  var cur = doc;
+  for (var i = 0; i < parts.length - 1; i++) {
+    if (!cur[parts[i]] || typeof cur[parts[i]] !== 'object' || Array.isArray(cur[parts[i]])) cur[parts[i]] = {};
+    cur = cur[parts[i]];
+  }
+  var last = parts[parts.length - 1];
+  if (isSentinel(value, 'delete')) delete cur[last];
+  else cur[last] = stripDeletes(value);
+}
+
+// Apply top-level fields of `patch` onto a copy of `doc` (Firestore update)
+function applyPatch(doc, patch) {
+  var out = JSON.parse(JSON.stringify(doc || {}));
+  Object.keys(patch).forEach(function(field) { setPath(out, field, patch[field]); });
+  return out;
+}
+
+// Deep-merge `patch` into a copy of `doc` (Firestore set with merge: true):
+// nested maps merge key by key, any other value (arrays included) replaces.
+function mergeMaps(target, patch) {
+  Object.keys(patch).forEach(function(key) {
+    var val = patch[key];
+    if (isSentinel(val, 'delete')) {
+      delete target[key];
+    } else if (isMap(val)) {
+      if (!isMap(target[key])) target[key] = {};
+      mergeMaps(target[key], val);
+    } else {
+      target[key] = stripDeletes(val);
+    }
+  });
+  return target;
+}
+
+function applyMerge(doc, patch) {
+  return mergeMaps(JSON.parse(JSON.stringify(doc || {})), patch);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+// ─── Store ───
+
+// Collections and their docs are prototype-less maps, so no id can reach
+// Object.prototype (the handler also rejects reserved names outright)
+function createStore(dataFile) {
+  var collections = Object.create(null);
+
+  if (dataFile && fs.existsSync(dataFile)) {
+    var saved = JSON.parse(fs.readFileSync(dataFile, 'utf8')) || {};
+    Object.keys(saved).forEach(function(name) {
+      var docs = coll(name);
+      Object.keys(saved[name] || {}).forEach(function(id) { docs[id] = saved[name][id]; });
+    });
+  }
+
+  function persist() {
+    if (!dataFile) return;
+    var tmp = dataFile + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(collections));
+    fs.renameSync(tmp, dataFile);
+  }
+
+  function coll(name) {
+    if (!collections[name]) collections[name] = Object.create(null);
+    return collections[name];
+  }
+
+  return {
+    list: function(name, filters) {
+      var docs = coll(name);
+      return Object.keys(docs).filter(function(id) {
+        return filters.every(function(f) { return sameValue(getPath(docs[id], f[0]), f[1]); });
+      }).map(function(id) { return { id: id, data: docs[id] }; });
+    },
+    get: function(name, id) {
+      var data = coll(name)[id];
+      return data ? { id: id, data: data } : null;
+    },
+    set: function(name, id, data, merge) {
+      var docs = coll(name);
+      docs[id] = merge ? applyMerge(docs[id], data) : stripDeletes(data);
+      persist();
+      return { id: id, data: docs[id] };
+    },
+    update: function(name, id, data) {
+      var docs = coll(name);
+      if (!docs[id]) return null;
+      docs[id] = applyPatch(docs[id], data);
+      persist();
+      return { id: id, data: docs[id] };
+    },
+    remove: function(name, id) {
+      delete coll(name)[id];
+      persist();
+    }
+  };
+}
+
+// ─── ICS feed ───
+
+function pad(n) { return n < 10 ? '0' + n : '' + n; }
+
+function icsEscape(str) {
+  return String(str == null ? '' : str)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function icsDate(ymd, addDays) {
+  var p = ymd.split('-');
+  var d = new Date(Date.UTC(+p[0], +p[1] - 1, +p[2] + (addDays || 0)));
+  return d.getUTCFullYear() + pad(d.getUTCMonth() + 1) + pad(d.getUTCDate());
+}
+
+// Mirrors buildIcs() in layouts/partials/dm-caldav.html
+function buildTodoFeed(docs) {
+  var now = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  var lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Digital Memory//Tasks//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Digital Memory tasks'
+  ];
+  docs.forEach(function(doc) {
+    var t = doc.data;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(t.scheduledDate || '') || t.parentId || t.deletedAt || t.status === 'deleted') return;
+    var title = typeof t.title === 'string' && t.title.indexOf(E2EE_PREFIX) === 0 ? 'Encrypted task' : (t.title || 'Untitled');
+    var done = t.status === 'done' || t.status === 'archived' || t.done === true;
+    lines.push(
+      'BEGIN:VEVENT',
+      'UID:dm-' + doc.id + '@digital-memory',
+      'DTSTAMP:' + now,
+      'DTSTART;VALUE=DATE:' + icsDate(t.scheduledDate),
+      'DTEND;VALUE=DATE:' + icsDate(t.scheduledDate, 1),
+      'SUMMARY:' + icsEscape((done ? '\u2713 ' : '') + title),
+      'TRANSP:TRANSPARENT',
+      'X-DM-TODO-ID:' + icsEscape(doc.id),
+      'END:VEVENT'
+    );
+  });
+  lines.push('END:VCALENDAR');
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ─── Proxy ───
+
+function ipv4Parts(ip) {
+  var m = /^(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(ip);
+  return m ? [+m[1], +m[2], +m[3], +m[4]] : null;
+}
+
+// True for addresses the proxy must not reach: unspecified, loopback,
+// private (RFC 1918, ULA), carrier-grade NAT, link-local, benchmarking,
+// multicast and reserved ranges, including IPv4-mapped IPv6 forms.
+function isPrivateAddress(ip) {
+  ip = String(ip).toLowerCase();
+  var mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(ip);
+  if (mapped) ip = mapped[1];
+  var v4 = ipv4Parts(ip);
+  if (v4) {
+    var a = v4[0], b = v4[1];
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 192 && b === 0 && v4[2] === 0) ||
+      (a === 198 && (b === 18 || b === 19));
+  }
+  if (net.isIPv6(ip)) {
+    return ip === '::' || ip === '::1' ||
+      /^f[cd]/.test(ip) ||           // fc00::/7 unique local
+      /^fe[89ab]/.test(ip) ||        // fe80::/10 link-local
+      /^ff/.test(ip) ||              // multicast
+      /^::ffff:/.test(ip);           // mapped forms not caught above
+  }
+  return true; // not an IP at all — don't connect
+}
+
+// dns.lookup that fails for non-public results, so the check applies to the
+// address actually connected to (no DNS-rebinding window)
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, function(err, address, family) {
+    if (err) return callback(err);
+    var list = Array.isArray(address) ? address : [{ address: address }];
+    var blocked = list.filter(function(a) { return isPrivateAddress(a.address); })[0];
+    if (blocked) {
+      var refused = new Error('Refusing to proxy to non-public address ' + blocked.address);
+      refused.code = 'EPRIVATEADDR';
+      return callback(refused);
+    }
+    callback(null, address, family);
+  });
+}
+
+function proxyRequest(req, res, target) {
+  var parsed;
+  try { parsed = new URL(target); } catch (e) { parsed = null; }
+  if (!parsed || (parsed.protocol !== 'https:' && parsed.protocol !== 'http:')) {
+    return send(res, 400, { error: 'url must be an http(s) URL' });
+  }
+  // IP literals skip the lookup, so check them here
+  var literal = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(literal) && isPrivateAddress(literal)) {
+    return send(res, 403, { error: 'Refusing to proxy to non-public address ' + literal });
+  }
+  var headers = {};
+  PROXY_HEADERS.forEach(function(name) {
+    if (req.headers[name]) headers[name] = req.headers[name];
+  });
+  if (req.headers['x-dm-upstream-authorization']) headers.authorization = req.headers['x-dm-upstream-authorization'];
+
+  var client = parsed.protocol === 'https:' ? https : http;
+  var upstream = client.request(parsed, { method: req.method, headers: headers, lookup: publicOnlyLookup }, function(up) {
+    res.statusCode = up.statusCode;
+    ['content-type', 'etag'].forEach(function(name) {
+      if (up.headers[name]) res.setHeader(name, up.headers[name]);
+    });
+    up.pipe(res);
+  });
+  upstream.on('error', function(err) {
+    if (!res.headersSent && err.code === 'EPRIVATEADDR') send(res, 403, { error: err.message });
+    else if (!res.headersSent) send(res, 502, { error: 'Upstream request failed: ' + err.message });
+    else res.end();
+  });
+  req.pipe(upstream);
+}
+
+// ─── HTTP ───
+
+// decodeURIComponent that returns null for malformed escapes such as %E0%A4%A
+function decodeSegment(str) {
+  try { return decodeURIComponent(str); } catch (e) { return null; }
+}
+
+function send(res, status, body) {
+  res.statusCode = status;
+  if (body === undefined) {
+    res.end();
+    return;
+  }
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+function readJson(req, callback) {
+  var chunks = [];
+  var size = 0;
+  var aborted = false;
+  req.on('data', function(chunk) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      aborted = true;
+      callback(new Error('Request body too large'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', function() {
+    if (aborted) return;
+    var raw = Buffer.concat(chunks).toString('utf8');
+    if (!raw) return callback(null, {});
+    try {
+      var body = JSON.parse(raw);
+      if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('Body must be a JSON object');
+      callback(null, body);
+    } catch (err) {
+      callback(err);
+    }
+  });
+}
+
+/**
+ * @param {Object} [opts] — { token, dataFile, proxy }
+ * @returns {http.Server} — not yet listening
+ * @throws when proxy is on without a token
+ */
+function createServer(opts) {
+  opts = opts || {};
+  if (opts.proxy && !opts.token) {
+    throw new Error('The CalDAV proxy needs a token (--token or DM_SYNC_TOKEN), or anyone could relay requests through it');
+  }
+  var store = createStore(opts.dataFile || null);
+
+  return http.createServer(function(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, PATCH, DELETE, REPORT, PROPFIND, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Accept, Depth, If-Match, If-None-Match, Prefer, X-DM-Upstream-Authorization');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag');
+    if (req.method === 'OPTIONS') return send(res, 204);
+
+    var parsed = url.parse(req.url, true);
+    var feed = /^\/feeds\/([^/]+)\.ics$/.exec(parsed.pathname);
+
+    if (opts.token && req.headers.authorization !== 'Bearer ' + opts.token &&
+        !(feed && parsed.query.token === opts.token)) {
+      return send(res, 401, { error: 'Missing or invalid token' });
+    }
+
+    if (parsed.pathname === '/health' && req.method === 'GET') return send(res, 200, { ok: true });
+
+    if (feed) {
+      if (!opts.token) return send(res, 404, { error: 'The calendar feed needs a token (start with --token)' });
+      if (req.method !== 'GET') return send(res, 405, { error: 'Method not allowed' });
+      var feedUserId = decodeSegment(feed[1]);
+      if (feedUserId === null) return send(res, 400, { error: 'Malformed user id' });
+      var todos = store.list('todos', [['userId', feedUserId]]);
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+      return res.end(buildTodoFeed(todos));
+    }
+
+    if (parsed.pathname === '/proxy') {
+      if (!opts.proxy) return send(res, 404, { error: 'Proxy is disabled (start with --proxy 1)' });
+      return proxyRequest(req, res, parsed.query.url || '');
+    }
+
+    var m = /^\/collections\/([^/]+)\/docs(?:\/([^/]+))?\/?$/.exec(parsed.pathname);
+    if (!m) return send(res, 404, { error: 'Not found' });
+    var collection = decodeSegment(m[1]);
+    var id = m[2] ? decodeSegment(m[2]) : null;
+    if (collection === null || (m[2] && id === null)) return send(res, 400, { error: 'Malformed path' });
+    if (isReservedKey(collection) || isReservedKey(id)) return send(res, 400, { error: 'Reserved collection or document name' });
+
+    if (!id) {
+      if (req.method !== 'GET') return send(res, 405, { error: 'Method not allowed' });
+      var filters = [];
+      if (parsed.query.where) {
+        try { filters = JSON.parse(parsed.query.where); } catch (e) { filters = null; }
+        if (!isValidFilterList(filters)) return send(res, 400, { error: 'where must be a JSON array of [field, value] pairs' });
+      }
+      return send(res, 200, { docs: store.list(collection, filters) });
+    }
+
+    if (req.method === 'GET') {
+      var doc = store.get(collection, id);
+      return doc ? send(res, 200, doc) : send(res, 404, { error: 'Document not found' });
+    }
+    if (req.method === 'DELETE') {
+      store.remove(collection, id);
+      return send(res, 204);
+    }
+    if (req.method !== 'PUT' && req.method !== 'PATCH') return send(res, 405, { error: 'Method not allowed' });
+
+    readJson(req, function(err, body) {
+      if (err) return send(res, 400, { error: err.message });
+      if (hasReservedKey(body)) return send(res, 400, { error: 'Reserved field name' });
+      if (req.method === 'PATCH' && !Object.keys(body).every(isValidFieldPath)) {
+        return send(res, 400, { error: 'Malformed field path' });
+      }
+      var data = resolveServerValues(body, Date.now());
+      if (req.method === 'PUT') {
+        var merge = parsed.query.merge === '1' || parsed.query.merge === 'true';
+        return send(res, 200, store.set(collection, id, data, merge));
+      }
+      var updated = store.update(collection, id, data);
+      return updated ? send(res, 200, updated) : send(res, 404, { error: 'Document not found' });
+    });
+  });
+}
+
+// ─── CLI ───
+
+function parseArgs(argv) {
+  var args = { port: 8787, host: '127.0.0.1', token: process.env.DM_SYNC_TOKEN || '', data: '', proxy: '' };
+  for (var i = 0; i < argv.length; i++) {
+    var key = argv[i].replace(/^--/, '');
+    if (key in args && i + 1 < argv.length) args[key] = argv[++i];
+  }
+  return args;
+}
+
+if (require.main === module) {
+  var args = parseArgs(process.argv.slice(2));
+  var server;
+  try {
+    server = createServer({
+      token: args.token || null,
+      dataFile: args.data ? path.resolve(args.data) : null,
+      proxy: args.proxy === '1' || args.proxy === 'true'
+    });
+  } catch (err) {
+    console.error('[dm-sync-server] ' + err.message);
+    process.exit(1);
+  }
+  server.listen(Number(args.port), args.host, function() {
+    var addr = server.address();
+    console.log('[dm-sync-server] Listening on http://' + addr.address + ':' + addr.port +
+      (args.token ? ' (token required, calendar feed on)' : '') +
+      (args.proxy === '1' || args.proxy === 'true' ? ', CalDAV proxy on' : '') +
+      (args.data ? ', persisting to ' + path.resolve(args.data) : ', in memory only'));
+  });
+}
+
+module.exports = { createServer: createServer };
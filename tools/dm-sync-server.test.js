@@ -0,0 +1,254 @@
+/**
+  Tests for tools/dm-sync-server.js. Run with: node --test tools/
+  Needs Node 18+ (node:test, global fetch); no dependencies.
+*/
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createServer = require('./dm-sync-server').createServer;
+
+// Start a server on a free port for the duration of one test
+function withServer(opts, fn) {
+  return function() {
+    var server = createServer(opts);
+    return new Promise(function(resolve) {
+      server.listen(0, '127.0.0.1', resolve);
+    }).then(function() {
+      var base = 'http://127.0.0.1:' + server.address().port;
+      return Promise.resolve(fn(base)).finally(function() {
+        return new Promise(function(resolve) { server.close(resolve); });
+      });
+    });
+  };
+}
+
+function call(base, method, path, body, headers) {
+  var init = { method: method, headers: Object.assign({}, headers || {}) };
+  if (body !== undefined) {
+    init.headers['Content-Type'] = 'application/json';
+    init.body = JSON.stringify(body);
+  }
+  return fetch(base + path, init).then(function(res) {
+    var type = res.headers.get('content-type') || '';
+    var parse = type.indexOf('application/json') === 0 ? res.json() : res.text();
+    return parse.then(function(data) { return { status: res.status, body: data }; });
+  });
+}
+
+test('health check', withServer({}, function(base) {
+  return call(base, 'GET', '/health').then(function(r) {
+    assert.strictEqual(r.status, 200);
+    assert.deepStrictEqual(r.body, { ok: true });
+  });
+}));
+
+test('put, get, filtered list and delete', withServer({}, function(base) {
+  return call(base, 'PUT', '/collections/notes/docs/a', { userId: 'u1', title: 'A' })
+    .then(function() { return call(base, 'PUT', '/collections/notes/docs/b', { userId: 'u2', title: 'B' }); })
+    .then(function() { return call(base, 'GET', '/collections/notes/docs/a'); })
+    .then(function(r) {
+      assert.strictEqual(r.status, 200);
+      assert.deepStrictEqual(r.body, { id: 'a', data: { userId: 'u1', title: 'A' } });
+      return call(base, 'GET', '/collections/notes/docs?where=' + encodeURIComponent(JSON.stringify([['userId', 'u2']])));
+    })
+    .then(function(r) {
+      assert.deepStrictEqual(r.body.docs.map(function(d) { return d.id; }), ['b']);
+      return call(base, 'DELETE', '/collections/notes/docs/a');
+    })
+    .then(function(r) {
+      assert.strictEqual(r.status, 204);
+      return call(base, 'GET', '/collections/notes/docs/a');
+    })
+    .then(function(r) { assert.strictEqual(r.status, 404); });
+}));
+
+test('serverTimestamp sentinels are stored as timestamps', withServer({}, function(base) {
+  var before = Date.now();
+  return call(base, 'PUT', '/collections/todos/docs/t', { updatedAt: { __type: 'serverTimestamp' } }).then(function(r) {
+    assert.strictEqual(r.body.data.updatedAt.__type, 'timestamp');
+    assert.ok(r.body.data.updatedAt.__ms >= before);
+  });
+}));
+
+test('merge deep-merges nested maps like Firestore set(..., { merge: true })', withServer({}, function(base) {
+  var doc = '/collections/userSettings/docs/u1';
+  return call(base, 'PUT', doc, { prefs: { theme: 'dark', font: 'serif' }, tags: ['a', 'b'], at: { __type: 'timestamp', __ms: 1 } })
+    .then(function() {
+      return call(base, 'PUT', doc + '?merge=1', {
+        prefs: { font: 'mono', size: { __type: 'delete' } },
+        tags: ['c'],
+        at: { __type: 'timestamp', __ms: 2 },
+        'a.b': 1
+      });
+    })
+    .then(function(r) {
+      assert.deepStrictEqual(r.body.data, {
+        prefs: { theme: 'dark', font: 'mono' },
+        tags: ['c'],
+        at: { __type: 'timestamp', __ms: 2 },
+        'a.b': 1
+      });
+    });
+}));
+
+test('patch replaces named fields, reads dotted paths and 404s on missing docs', withServer({}, function(base) {
+  var doc = '/collections/userSettings/docs/u1';
+  return call(base, 'PATCH', doc, { a: 1 })
+    .then(function(r) {
+      assert.strictEqual(r.status, 404);
+      return call(base, 'PUT', doc, { prefs: { theme: 'dark', font: 'serif' }, gone: true });
+    })
+    .then(function() { return call(base, 'PATCH', doc, { 'prefs.font': 'mono', gone: { __type: 'delete' } }); })
+    .then(function(r) {
+      assert.deepStrictEqual(r.body.data, { prefs: { theme: 'dark', font: 'mono' } });
+      return call(base, 'PATCH', doc, { prefs: { size: 12 } });
+    })
+    .then(function(r) { assert.deepStrictEqual(r.body.data, { prefs: { size: 12 } }); });
+}));
+
+test('malformed percent-escapes get a 400 and the server keeps running', withServer({}, function(base) {
+  return call(base, 'GET', '/collections/%E0%A4%A/docs')
+    .then(function(r) {
+      assert.strictEqual(r.status, 400);
+      return call(base, 'PUT', '/collections/notes/docs/%E0%A4%A', { a: 1 });
+    })
+    .then(function(r) {
+      assert.strictEqual(r.status, 400);
+      return call(base, 'GET', '/health');
+    })
+    .then(function(r) { assert.strictEqual(r.status, 200); });
+}));
+
+test('malformed where filters get a 400 and the server keeps running', withServer({}, function(base) {
+  var bad = ['[1]', '[null]', '[["userId"]]', '[[1, "a"]]', '[["a..b", 1]]', '[["__proto__", 1]]'];
+  return bad.reduce(function(chain, where) {
+    return chain.then(function() {
+      return call(base, 'GET', '/collections/notes/docs?where=' + encodeURIComponent(where)).then(function(r) {
+        assert.strictEqual(r.status, 400, where);
+      });
+    });
+  }, Promise.resolve()).then(function() {
+    return call(base, 'GET', '/health');
+  }).then(function(r) { assert.strictEqual(r.status, 200); });
+}));
+
+test('bad bodies and where filters get a 400', withServer({}, function(base) {
+  return call(base, 'PUT', '/collections/notes/docs/a', [1, 2])
+    .then(function(r) {
+      assert.strictEqual(r.status, 400);
+      return call(base, 'GET', '/collections/notes/docs?where=nope');
+    })
+    .then(function(r) { assert.strictEqual(r.status, 400); });
+}));
+
+function callRaw(base, method, path, text) {
+  return fetch(base + path, { method: method, headers: { 'Content-Type': 'application/json' }, body: text })
+    .then(function(res) { return res.json().then(function(data) { return { status: res.status, body: data }; }); });
+}
+
+test('reserved names are rejected as collections and document ids', withServer({}, function(base) {
+  var paths = [];
+  ['__proto__', 'constructor', 'prototype'].forEach(function(name) {
+    paths.push(['GET', '/collections/' + name + '/docs']);
+    paths.push(['PUT', '/collections/' + name + '/docs/a']);
+    paths.push(['GET', '/collections/notes/docs/' + name]);
+    paths.push(['PUT', '/collections/notes/docs/' + name]);
+    paths.push(['DELETE', '/collections/notes/docs/' + name]);
+  });
+  return paths.reduce(function(chain, p) {
+    return chain.then(function() {
+      return call(base, p[0], p[1], p[0] === 'PUT' ? { polluted: true } : undefined).then(function(r) {
+        assert.strictEqual(r.status, 400, p.join(' '));
+      });
+    });
+  }, Promise.resolve()).then(function() {
+    assert.strictEqual(({}).polluted, undefined);
+  });
+}));
+
+test('reserved names are rejected as field names and field-path segments', withServer({}, function(base) {
+  var doc = '/collections/notes/docs/a';
+  return call(base, 'PUT', doc, { title: 'A' })
+    .then(function() { return callRaw(base, 'PUT', doc, '{"__proto__": {"polluted": true}}'); })
+    .then(function(r) {
+      assert.strictEqual(r.status, 400);
+      return callRaw(base, 'PUT', doc + '?merge=1', '{"meta": {"__proto__": {"polluted": true}}}');
+    })
+    .then(function(r) {
+      assert.strictEqual(r.status, 400);
+      return call(base, 'PUT', doc + '?merge=1', { meta: { constructor: { prototype: { polluted: true } } } });
+    })
+    .then(function(r) {
+      assert.strictEqual(r.status, 400);
+      return call(base, 'PATCH', doc, { '__proto__.polluted': true });
+    })
+    .then(function(r) {
+      assert.strictEqual(r.status, 400);
+      return call(base, 'PATCH', doc, { 'constructor.prototype.polluted': true });
+    })
+    .then(function(r) {
+      assert.strictEqual(r.status, 400);
+      return call(base, 'PATCH', doc, { 'meta..x': 1 });
+    })
+    .then(function(r) {
+      assert.strictEqual(r.status, 400);
+      assert.strictEqual(({}).polluted, undefined);
+      return call(base, 'GET', doc);
+    })
+    .then(function(r) { assert.deepStrictEqual(r.body.data, { title: 'A' }); });
+}));
+
+test('a token is required when one is set', withServer({ token: 's3cret' }, function(base) {
+  return call(base, 'GET', '/health')
+    .then(function(r) {
+      assert.strictEqual(r.status, 401);
+      return call(base, 'GET', '/health', undefined, { Authorization: 'Bearer s3cret' });
+    })
+    .then(function(r) { assert.strictEqual(r.status, 200); });
+}));
+
+test('the proxy refuses to start without a token', function() {
+  assert.throws(function() { createServer({ proxy: true }); }, /token/);
+});
+
+test('the proxy refuses loopback, private and link-local targets', withServer({ token: 's3cret', proxy: true }, function(base) {
+  var auth = { Authorization: 'Bearer s3cret' };
+  var targets = [
+    base + '/health',
+    'http://localhost:1/',
+    'http://10.0.0.1/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://[::1]/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://[fe80::1]/'
+  ];
+  return targets.reduce(function(chain, url) {
+    return chain.then(function() {
+      return call(base, 'GET', '/proxy?url=' + encodeURIComponent(url), undefined, auth).then(function(r) {
+        assert.strictEqual(r.status, 403, url);
+      });
+    });
+  }, Promise.resolve());
+}));
+
+test('the calendar feed is off without a token', withServer({}, function(base) {
+  return call(base, 'GET', '/feeds/u1.ics').then(function(r) { assert.strictEqual(r.status, 404); });
+}));
+
+test('the calendar feed takes the token as a query parameter', withServer({ token: 's3cret' }, function(base) {
+  var auth = { Authorization: 'Bearer s3cret' };
+  return call(base, 'PUT', '/collections/todos/docs/t1', { userId: 'u1', title: 'Dentist', scheduledDate: '2026-03-04' }, auth)
+    .then(function() { return call(base, 'GET', '/feeds/u1.ics'); })
+    .then(function(r) {
+      assert.strictEqual(r.status, 401);
+      return call(base, 'GET', '/feeds/u1.ics?token=s3cret');
+    })
+    .then(function(r) {
+      assert.strictEqual(r.status, 200);
+      assert.match(r.body, /SUMMARY:Dentist/);
+      assert.match(r.body, /DTSTART;VALUE=DATE:20260304/);
+      return call(base, 'GET', '/feeds/%E0%A4%A.ics?token=s3cret');
+    })
+    .then(function(r) { assert.strictEqual(r.status, 400); });
+}));